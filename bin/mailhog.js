@@ -0,0 +1,518 @@
+#!/usr/bin/env node
+
+/*
+ * Command-line interface to inspect and manage MailHog messages.
+ * https://github.com/blueimp/mailhog-node
+ *
+ * Copyright 2016, Sebastian Tschan
+ * https://blueimp.net
+ *
+ * Licensed under the MIT license:
+ * https://opensource.org/licenses/MIT
+ */
+
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const mailhog = require('..')
+
+const USAGE = `Usage: mailhog <command> [arguments] [options]
+
+Commands:
+  list                          List messages, latest first
+  search                        Search messages matching all given criteria
+  show <id>                     Show the message with the given ID
+  wait                          Wait for a message matching the given criteria
+  attachments <id>              List or save the attachments of a message
+  release <id>                  Release a message to a SMTP server
+  delete <id>                   Delete the message with the given ID
+  clear                         Delete all messages
+
+Search and wait criteria:
+  --to <address>                Recipient address or name
+  --from <address>              Sender address or name
+  --containing <text>           Text contained in headers or content
+  --subject <text>              Mail subject
+
+Command options:
+  --start <n>                   Start index for list (default: 0)
+  --limit <n>                   Max number of messages (default: 50)
+  --html                        Show the HTML content
+  --text                        Show the text content
+  --raw                         Show the raw message source
+  --timeout <duration>          Wait timeout, e.g. 30s (default: 5s)
+  --interval <duration>         Wait polling interval (default: 250ms)
+  --out <dir>                   Directory to save attachments to
+  --server <name>               Outgoing SMTP server name to release to
+  --smtp-host <host>            SMTP host to release to
+  --smtp-port <port>            SMTP port to release to
+  --email <address>             Recipient address to release to
+  --json                        Output JSON
+
+Connection options:
+  --url <url>                   API URL, e.g. http://localhost:8025/api
+  --protocol <protocol>         API protocol, e.g. https:
+  --host <host>                 API host
+  --port <port>                 API port
+  --auth <user:pass>            API basic authentication
+  --base-path <path>            API base path
+  --retries <n>                 Retries for failed requests
+  --retry-delay <duration>      Initial retry delay
+  --max-response-size <bytes>   Max buffered response size
+  --header <name: value>        Additional HTTP request header, repeatable
+  --ca <file>                   Trusted CA certificate file
+  --insecure                    Do not reject invalid certificates
+  --help                        Show this help
+
+Durations are given in milliseconds or with a unit, e.g. 500ms, 30s or 1m.
+Except for wait, --timeout sets the request timeout.
+MAILHOG_URL, MAILHOG_HOST, MAILHOG_PORT and MAILHOG_AUTH set the defaults.`
+
+const BOOLEAN_FLAGS = ['html', 'text', 'raw', 'json', 'insecure', 'help']
+
+const CONNECTION_FLAGS = {
+  url: 'url',
+  protocol: 'protocol',
+  host: 'host',
+  port: 'port',
+  auth: 'auth',
+  'base-path': 'basePath',
+  retries: 'retries',
+  'retry-delay': 'retryDelay',
+  'max-response-size': 'maxResponseSize'
+}
+
+/**
+ * Error for invalid command-line usage, printed along with the usage help.
+ */
+class UsageError extends Error {
+  /**
+   * @param {string} message Error message
+   */
+  constructor(message) {
+    super(message)
+    this.name = 'UsageError'
+  }
+}
+
+/**
+ * Parses the given command-line arguments.
+ *
+ * @param {Array<string>} argv Command-line arguments
+ * @returns {{args: Array<string>, flags: object}} Arguments and flags
+ */
+function parseArgs(argv) {
+  const args = []
+  const flags = { header: [] }
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === '--') {
+      args.push(...argv.slice(i + 1))
+      break
+    }
+    if (!arg.startsWith('--')) {
+      args.push(arg)
+      continue
+    }
+    const index = arg.indexOf('=')
+    const name = index === -1 ? arg.slice(2) : arg.slice(2, index)
+    let value
+    if (BOOLEAN_FLAGS.indexOf(name) !== -1) {
+      value = index === -1 || arg.slice(index + 1) !== 'false'
+    } else if (index !== -1) {
+      value = arg.slice(index + 1)
+    } else if (i + 1 < argv.length) {
+      value = argv[++i]
+    } else {
+      throw new UsageError(`Missing value for --${name}`)
+    }
+    if (name === 'header') flags.header.push(value)
+    else flags[name] = value
+  }
+  return { args, flags }
+}
+
+/**
+ * Parses the given duration into milliseconds.
+ *
+ * @param {string} str Duration, e.g. 500, 500ms, 30s, 1m or 1h
+ * @param {string} name Flag name, for the error message
+ * @returns {number} Duration in milliseconds
+ */
+function parseDuration(str, name) {
+  const match = /^(\d+(?:\.\d+)?)(ms|s|m|h)?$/.exec(str)
+  if (!match) throw new UsageError(`Invalid duration for --${name}: ${str}`)
+  const factor = { ms: 1, s: 1000, m: 60000, h: 3600000 }[match[2] || 'ms']
+  return Math.round(Number(match[1]) * factor)
+}
+
+/**
+ * Parses the given flag as non-negative integer.
+ *
+ * @param {string} str Flag value
+ * @param {string} name Flag name, for the error message
+ * @returns {number} Parsed integer
+ */
+function parseInteger(str, name) {
+  if (!/^\d+$/.test(str)) throw new UsageError(`Invalid --${name}: ${str}`)
+  return Number(str)
+}
+
+/**
+ * Creates the API options from the given connection flags.
+ *
+ * @param {object} flags Parsed flags
+ * @param {string} command Command name
+ * @returns {object} API options
+ */
+function connectionOptions(flags, command) {
+  const options = {}
+  for (const flag of Object.keys(CONNECTION_FLAGS)) {
+    if (flags[flag] !== undefined) options[CONNECTION_FLAGS[flag]] = flags[flag]
+  }
+  if (options.port !== undefined) {
+    options.port = parseInteger(options.port, 'port')
+  }
+  if (options.retries !== undefined) {
+    options.retries = parseInteger(options.retries, 'retries')
+  }
+  if (options.retryDelay !== undefined) {
+    options.retryDelay = parseDuration(options.retryDelay, 'retry-delay')
+  }
+  if (options.maxResponseSize !== undefined) {
+    options.maxResponseSize = parseInteger(
+      options.maxResponseSize,
+      'max-response-size'
+    )
+  }
+  // The wait command uses the timeout flag as wait timeout:
+  if (flags.timeout !== undefined && command !== 'wait') {
+    options.timeout = parseDuration(flags.timeout, 'timeout')
+  }
+  if (flags.header.length) {
+    options.headers = {}
+    for (const header of flags.header) {
+      const index = header.indexOf(':')
+      if (index < 1) throw new UsageError(`Invalid --header: ${header}`)
+      options.headers[header.slice(0, index).trim()] = header
+        .slice(index + 1)
+        .trim()
+    }
+  }
+  if (flags.ca !== undefined) options.ca = fs.readFileSync(flags.ca)
+  if (flags.insecure) options.rejectUnauthorized = false
+  return options
+}
+
+/**
+ * Formats the given mail as summary line.
+ *
+ * @param {mailhog.Message} mail Mail object
+ * @returns {string} Summary line with ID, date, sender, recipients and subject
+ */
+function formatSummary(mail) {
+  return [mail.ID, mail.Created, mail.from, mail.to, mail.subject]
+    .map(value => (value === undefined ? '' : value))
+    .join('\t')
+}
+
+/**
+ * Returns the name, type and size of the given attachment.
+ *
+ * @param {mailhog.Attachment} attachment Attachment object
+ * @returns {{name: string, type: string, size: number}} Attachment metadata
+ */
+function formatAttachment(attachment) {
+  return { name: attachment.name, type: attachment.type, size: attachment.size }
+}
+
+/**
+ * Returns a plain object of the given mail for JSON output.
+ *
+ * @param {mailhog.Message} mail Mail object
+ * @returns {object} Mail ID, date, headers, contents and attachment metadata
+ */
+function formatJSON(mail) {
+  return {
+    ID: mail.ID,
+    created: mail.Created,
+    from: mail.from,
+    to: mail.to,
+    cc: mail.cc,
+    subject: mail.subject,
+    text: mail.text,
+    html: mail.html,
+    headers: mail.Content.Headers,
+    attachments: mail.attachments.map(formatAttachment)
+  }
+}
+
+/**
+ * Returns the mail with the given ID or throws if it does not exist.
+ *
+ * @param {mailhog.API} api API object
+ * @param {string} id Message ID
+ * @returns {Promise<mailhog.Message>} Resolves with the mail object
+ */
+async function requireMessage(api, id) {
+  if (!id) throw new UsageError('Missing message ID')
+  const mail = await api.getMessage(id)
+  if (!mail) throw new Error(`Message not found: ${id}`)
+  return mail
+}
+
+/**
+ * Returns the search and wait criteria from the given flags.
+ *
+ * @param {object} flags Parsed flags
+ * @returns {object} Criteria with to, from, containing and subject keys
+ */
+function getCriteria(flags) {
+  const criteria = {}
+  for (const key of ['to', 'from', 'containing', 'subject']) {
+    if (flags[key] !== undefined) criteria[key] = flags[key]
+  }
+  return criteria
+}
+
+const commands = {
+  /**
+   * Lists messages.
+   *
+   * @param {mailhog.API} api API object
+   * @param {Array<string>} args Command arguments
+   * @param {object} flags Parsed flags
+   * @param {Function} print Output function
+   */
+  async list(api, args, flags, print) {
+    const start = parseInteger(flags.start || '0', 'start')
+    const limit = parseInteger(flags.limit || '50', 'limit')
+    const result = await api.messages(start, limit)
+    if (flags.json) {
+      const items = result.items.map(formatJSON)
+      print(JSON.stringify(Object.assign({}, result, { items }), null, 2))
+      return
+    }
+    for (const mail of result.items) print(formatSummary(mail))
+  },
+
+  /**
+   * Searches messages matching all given criteria.
+   *
+   * @param {mailhog.API} api API object
+   * @param {Array<string>} args Command arguments
+   * @param {object} flags Parsed flags
+   * @param {Function} print Output function
+   */
+  async search(api, args, flags, print) {
+    const criteria = getCriteria(flags)
+    const keys = Object.keys(criteria)
+    if (!keys.length) throw new UsageError('Missing search criteria')
+    const query = api.query()
+    for (const key of keys) query[key](criteria[key])
+    const items = await query.all(parseInteger(flags.limit || '50', 'limit'))
+    if (flags.json) {
+      print(JSON.stringify(items.map(formatJSON), null, 2))
+      return
+    }
+    for (const mail of items) print(formatSummary(mail))
+  },
+
+  /**
+   * Shows a message, with its headers and text content by default.
+   *
+   * @param {mailhog.API} api API object
+   * @param {Array<string>} args Command arguments
+   * @param {object} flags Parsed flags
+   * @param {Function} print Output function
+   */
+  async show(api, args, flags, print) {
+    const mail = await requireMessage(api, args[0])
+    const text = mail.text === undefined ? '' : mail.text
+    const content = mail.textOrRendered === undefined ? '' : mail.textOrRendered
+    if (flags.json) {
+      print(JSON.stringify(formatJSON(mail), null, 2))
+    } else if (flags.raw) {
+      print((await api.getRawMessage(mail.ID)).toString())
+    } else if (flags.html) {
+      print(mail.html === undefined ? '' : mail.html)
+    } else if (flags.text) {
+      print(text)
+    } else {
+      print(`ID: ${mail.ID}`)
+      print(`Date: ${mail.Created}`)
+      print(`From: ${mail.from || ''}`)
+      print(`To: ${mail.to || ''}`)
+      if (mail.cc) print(`Cc: ${mail.cc}`)
+      print(`Subject: ${mail.subject || ''}`)
+      for (const attachment of mail.attachments) {
+        print(`Attachment: ${attachment.name} (${attachment.size} bytes)`)
+      }
+      print('')
+      print(content)
+    }
+  },
+
+  /**
+   * Waits for a message matching the given criteria.
+   *
+   * @param {mailhog.API} api API object
+   * @param {Array<string>} args Command arguments
+   * @param {object} flags Parsed flags
+   * @param {Function} print Output function
+   */
+  async wait(api, args, flags, print) {
+    const criteria = getCriteria(flags)
+    if (!Object.keys(criteria).length) {
+      throw new UsageError('Missing wait criteria')
+    }
+    const mail = await api.waitForMessage(criteria, {
+      timeout: parseDuration(flags.timeout || '5s', 'timeout'),
+      interval: parseDuration(flags.interval || '250ms', 'interval')
+    })
+    print(
+      flags.json
+        ? JSON.stringify(formatJSON(mail), null, 2)
+        : formatSummary(mail)
+    )
+  },
+
+  /**
+   * Lists the attachments of a message and saves them with the out flag.
+   *
+   * @param {mailhog.API} api API object
+   * @param {Array<string>} args Command arguments
+   * @param {object} flags Parsed flags
+   * @param {Function} print Output function
+   */
+  async attachments(api, args, flags, print) {
+    const mail = await requireMessage(api, args[0])
+    /** @type {Array<{name: string, type: string, size: number, path?: string}>} */
+    const list = mail.attachments.map(formatAttachment)
+    if (flags.out) {
+      fs.mkdirSync(flags.out, { recursive: true })
+      await Promise.all(
+        mail.attachments.map((attachment, index) => {
+          // Strip directory components from the attachment name:
+          const name = path.basename(attachment.name || `attachment-${index}`)
+          list[index].path = path.join(flags.out, name)
+          return attachment.save(list[index].path)
+        })
+      )
+    }
+    if (flags.json) {
+      print(JSON.stringify(list, null, 2))
+      return
+    }
+    for (const item of list) {
+      print([item.path || item.name, item.type, item.size].join('\t'))
+    }
+  },
+
+  /**
+   * Releases a message to an outgoing server or the given SMTP server.
+   *
+   * @param {mailhog.API} api API object
+   * @param {Array<string>} args Command arguments
+   * @param {object} flags Parsed flags
+   * @param {Function} print Output function
+   */
+  async release(api, args, flags, print) {
+    if (!args[0]) throw new UsageError('Missing message ID')
+    const config =
+      flags.server !== undefined
+        ? flags.server
+        : {
+            host: flags['smtp-host'],
+            port: flags['smtp-port'],
+            email: flags.email
+          }
+    const response = await api.releaseMessage(args[0], config)
+    print(
+      flags.json
+        ? JSON.stringify({ statusCode: response.statusCode })
+        : `Released ${args[0]}`
+    )
+  },
+
+  /**
+   * Deletes a message.
+   *
+   * @param {mailhog.API} api API object
+   * @param {Array<string>} args Command arguments
+   * @param {object} flags Parsed flags
+   * @param {Function} print Output function
+   */
+  async delete(api, args, flags, print) {
+    if (!args[0]) throw new UsageError('Missing message ID')
+    const response = await api.deleteMessage(args[0])
+    print(
+      flags.json
+        ? JSON.stringify({ statusCode: response.statusCode })
+        : `Deleted ${args[0]}`
+    )
+  },
+
+  /**
+   * Deletes all messages.
+   *
+   * @param {mailhog.API} api API object
+   * @param {Array<string>} args Command arguments
+   * @param {object} flags Parsed flags
+   * @param {Function} print Output function
+   */
+  async clear(api, args, flags, print) {
+    const response = await api.deleteAll()
+    print(
+      flags.json
+        ? JSON.stringify({ statusCode: response.statusCode })
+        : 'Deleted all messages'
+    )
+  }
+}
+
+/**
+ * Runs the command-line interface with the given arguments.
+ *
+ * @param {Array<string>} argv Command-line arguments, without node and script
+ * @param {object} [io] Output streams, defaults to the process streams
+ * @param {{write: function(string): boolean}} [io.stdout] Standard output stream
+ * @param {{write: function(string): boolean}} [io.stderr] Standard error stream
+ * @returns {Promise<number>} Resolves with the exit code
+ */
+async function main(argv, io) {
+  const stdout = (io && io.stdout) || process.stdout
+  const stderr = (io && io.stderr) || process.stderr
+  const print = str => stdout.write(`${str}\n`)
+  let api
+  try {
+    const { args, flags } = parseArgs(argv)
+    const command = args.shift()
+    if (flags.help || command === 'help') {
+      print(USAGE)
+      return 0
+    }
+    if (!command) throw new UsageError('Missing command')
+    if (!Object.prototype.hasOwnProperty.call(commands, command)) {
+      throw new UsageError(`Unknown command: ${command}`)
+    }
+    api = mailhog(connectionOptions(flags, command))
+    await commands[command](api, args, flags, print)
+    return 0
+  } catch (error) {
+    stderr.write(`${error.message}\n`)
+    if (error instanceof UsageError) stderr.write(`\n${USAGE}\n`)
+    return error instanceof UsageError ? 2 : 1
+  } finally {
+    if (api) api.close()
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code
+  })
+}
+
+module.exports = main
@@ -0,0 +1,127 @@
+'use strict'
+
+/* global before, after, describe, it */
+
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const { createServer } = require('../fake')
+const main = require('./mailhog')
+
+describe('cli', function () {
+  const server = createServer()
+  let connection
+  let mailhog
+
+  /**
+   * Runs the command-line interface with the given arguments.
+   *
+   * @param {Array<string>} argv Command-line arguments
+   * @returns {Promise<{code: number, stdout: string, stderr: string}>} Result
+   */
+  async function run(argv) {
+    const result = { code: 0, stdout: '', stderr: '' }
+    result.code = await main(argv.concat(connection), {
+      stdout: { write: str => !!(result.stdout += str) },
+      stderr: { write: str => !!(result.stderr += str) }
+    })
+    return result
+  }
+
+  before(async function () {
+    await server.listen()
+    connection = ['--host', server.options.host, '--port', `${server.apiPort}`]
+    mailhog = require('..')(server.clientOptions())
+    // Send sequentially to retain the order of the mail files:
+    await ['01.eml', '03.eml'].reduce((promise, file) => {
+      const data = fs.readFileSync(path.join(__dirname, '..', 'mail', file))
+      return promise.then(() =>
+        mailhog.send(data, { smtpPort: server.smtpPort })
+      )
+    }, Promise.resolve())
+  })
+
+  after(async function () {
+    mailhog.close()
+    await server.close()
+  })
+
+  it('lists messages', async function () {
+    const result = await run(['list'])
+    assert.strictEqual(result.code, 0, 'Exits with code 0')
+    const lines = result.stdout.trim().split('\n')
+    assert.strictEqual(lines.length, 2, 'Prints one line per mail')
+    assert.ok(/\tISO-8859-1$/.test(lines[0]), 'Prints the subject')
+  })
+
+  it('outputs JSON', async function () {
+    const result = await run(['search', '--to', 'ueaeoe@example.org', '--json'])
+    const items = JSON.parse(result.stdout)
+    assert.strictEqual(items.length, 1, 'Prints the matching mail')
+    assert.strictEqual(items[0].to, 'üäö <ueaeoe@example.org>', 'Prints to')
+  })
+
+  it('outputs messages as JSON', async function () {
+    const mail = await mailhog.latestTo('ueaeoe@example.org')
+    const result = await run(['show', mail.ID, '--json'])
+    assert.strictEqual(result.code, 0, 'Exits with code 0')
+    const json = JSON.parse(result.stdout)
+    assert.strictEqual(json.ID, mail.ID, 'Prints the mail ID')
+    assert.strictEqual(json.html, '<strong>ü<br>äö</strong>', 'Prints HTML')
+    assert.deepStrictEqual(
+      json.attachments.map(attachment => attachment.name),
+      ['black-80x60.gif', 'white-2x1.jpg'],
+      'Prints the attachment metadata'
+    )
+  })
+
+  it('shows message content', async function () {
+    const mail = await mailhog.latestTo('ueaeoe@example.org')
+    const result = await run(['show', mail.ID, '--html'])
+    assert.strictEqual(result.stdout, '<strong>ü<br>äö</strong>\n', 'HTML')
+  })
+
+  it('saves attachments', async function () {
+    const mail = await mailhog.latestTo('ueaeoe@example.org')
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mailhog-'))
+    const result = await run(['attachments', mail.ID, '--out', dir])
+    assert.strictEqual(result.code, 0, 'Exits with code 0')
+    assert.deepStrictEqual(
+      fs.readdirSync(dir).sort(),
+      ['black-80x60.gif', 'white-2x1.jpg'],
+      'Saves the attachments'
+    )
+    for (const file of fs.readdirSync(dir)) fs.unlinkSync(path.join(dir, file))
+    fs.rmdirSync(dir)
+  })
+
+  it('waits for messages', async function () {
+    const result = await run([
+      'wait',
+      '--to',
+      'none@example.org',
+      '--timeout=10ms'
+    ])
+    assert.strictEqual(result.code, 1, 'Exits with code 1 on timeout')
+    assert.ok(/No matching message/.test(result.stderr), 'Prints the error')
+  })
+
+  it('rejects invalid usage', async function () {
+    const result = await run(['unknown'])
+    assert.strictEqual(result.code, 2, 'Exits with code 2')
+    assert.ok(/^Unknown command: unknown/.test(result.stderr), 'Prints error')
+    const wait = await run(['wait'])
+    assert.strictEqual(wait.code, 2, 'Exits with code 2 without criteria')
+    assert.ok(/^Missing wait criteria/.test(wait.stderr), 'Prints error')
+  })
+
+  it('deletes messages', async function () {
+    const mail = await mailhog.latestTo('ueaeoe@example.org')
+    await run(['delete', mail.ID])
+    assert.strictEqual(await mailhog.getMessage(mail.ID), null, 'Deletes mail')
+    await run(['clear'])
+    assert.strictEqual((await mailhog.messages()).total, 0, 'Deletes all')
+  })
+})
@@ -0,0 +1,239 @@
+/// <reference types="node" />
+export type Path = {
+    /**
+     * Relay hosts
+     */
+    Relays: Array<string>;
+    /**
+     * Local part of the address
+     */
+    Mailbox: string;
+    /**
+     * Domain part of the address
+     */
+    Domain: string;
+    /**
+     * SMTP parameters
+     */
+    Params: string;
+};
+export type Content = {
+    /**
+     * Encoded headers
+     */
+    Headers: object;
+    /**
+     * Encoded body
+     */
+    Body: string;
+    /**
+     * Content size
+     */
+    Size: number;
+    /**
+     * MIME body, for multipart parts
+     */
+    MIME: MIME | null;
+};
+export type MIME = {
+    /**
+     * MIME parts
+     */
+    Parts: Array<Content>;
+};
+export type Raw = {
+    /**
+     * SMTP envelope sender
+     */
+    From: string;
+    /**
+     * SMTP envelope recipients
+     */
+    To: Array<string>;
+    /**
+     * Raw mail data
+     */
+    Data: string;
+    /**
+     * SMTP HELO/EHLO name
+     */
+    Helo: string;
+};
+export type Message = {
+    /**
+     * Message ID
+     */
+    ID: string;
+    /**
+     * Parsed envelope sender
+     */
+    From: Path;
+    /**
+     * Parsed envelope recipients
+     */
+    To: Array<Path>;
+    /**
+     * Mail content
+     */
+    Content: Content;
+    /**
+     * ISO creation date
+     */
+    Created: string;
+    /**
+     * MIME body of multipart mail
+     */
+    MIME: MIME | null;
+    /**
+     * Raw mail data and envelope
+     */
+    Raw: Raw;
+};
+export type ServerOptions = {
+    /**
+     * Host to bind the servers to, default 127.0.0.1
+     */
+    host?: string;
+    /**
+     * SMTP port, 0 for a random port
+     */
+    smtpPort?: number;
+    /**
+     * API port, 0 for a random port
+     */
+    apiPort?: number;
+    /**
+     * Hostname for message IDs, default mailhog.example
+     */
+    hostname?: string;
+    /**
+     * Outgoing SMTP servers, keyed by name
+     */
+    outgoingSMTP?: object;
+};
+export type Envelope = {
+    /**
+     * Envelope sender address
+     */
+    from: string;
+    /**
+     * Envelope recipient addresses
+     */
+    to: Array<string>;
+    /**
+     * SMTP HELO/EHLO name
+     */
+    helo?: string;
+};
+/**
+ * Creates an in-memory MailHog compatible server.
+ * Call `listen()` to start the SMTP and API servers.
+ *
+ * @param {ServerOptions} [options] Server options
+ * @returns {FakeServer} Fake MailHog server
+ */
+export function createServer(options?: ServerOptions): FakeServer;
+/**
+ * In-memory MailHog compatible server.
+ * Receives mail via SMTP and provides the MailHog API routes used by the
+ * `mailhog()` client, with the same JSON representation of messages.
+ *
+ * Emits "message" events with each received MailHog message object.
+ */
+export class FakeServer extends EventEmitter {
+    /**
+     * @param {ServerOptions} [options] Server options
+     */
+    constructor(options?: ServerOptions);
+    options: {
+        host: string;
+        smtpPort: number;
+        apiPort: number;
+        hostname: string;
+    } & ServerOptions;
+    /** @type {Array<Message>} */
+    messages: Array<Message>;
+    outgoingSMTP: any;
+    jim: any;
+    sockets: Set<any>;
+    smtpServer: net.Server;
+    apiServer: http.Server;
+    client: mailhog.API;
+    /**
+     * Starts the SMTP and API servers.
+     *
+     * @returns {Promise<FakeServer>} Resolves with the listening server
+     */
+    listen(): Promise<FakeServer>;
+    smtpPort: any;
+    apiPort: any;
+    /**
+     * Returns the options to connect a `mailhog()` client to this server.
+     *
+     * @returns {{host: string, port: number}} Client options
+     */
+    clientOptions(): {
+        host: string;
+        port: number;
+    };
+    /**
+     * Stops the SMTP and API servers and closes all open connections, including
+     * keep-alive connections and event streams.
+     *
+     * @returns {Promise<void>} Resolves when both servers are closed
+     */
+    close(): Promise<void>;
+    /**
+     * Stores the given mail data as message, like received via SMTP.
+     *
+     * @param {string|Buffer} data Mail data
+     * @param {Envelope} envelope SMTP envelope
+     * @returns {Message} MailHog message object
+     */
+    store(data: string | Buffer, envelope: Envelope): Message;
+    /**
+     * Deletes all stored messages.
+     */
+    clear(): void;
+    /**
+     * Handles a SMTP client connection.
+     *
+     * @param {net.Socket} socket SMTP client socket
+     */
+    handleSMTP(socket: net.Socket): void;
+    /**
+     * Handles a MailHog API request.
+     *
+     * @param {http.IncomingMessage} req HTTP request
+     * @param {http.ServerResponse} res HTTP response
+     */
+    handleAPI(req: http.IncomingMessage, res: http.ServerResponse): void;
+    /**
+     * Responds to the given API route.
+     *
+     * @param {string} route HTTP method and URL path, e.g. "GET /api/v2/jim"
+     * @param {URLSearchParams} params URL query parameters
+     * @param {string} data Request body
+     * @param {http.ServerResponse} res HTTP response
+     * @returns {Promise<void>|void} Resolves when the response is sent
+     */
+    route(route: string, params: URLSearchParams, data: string, res: http.ServerResponse): Promise<void> | void;
+    /**
+     * Releases the given message to the given outgoing SMTP server.
+     *
+     * @param {Message} message MailHog message object
+     * @param {object} config MailHog release config
+     * @returns {Promise<void>} Resolves when the message has been sent
+     */
+    release(message: Message, config: object): Promise<void>;
+    /**
+     * Streams new messages as server-sent events.
+     *
+     * @param {http.ServerResponse} res HTTP response
+     */
+    streamEvents(res: http.ServerResponse): void;
+}
+import EventEmitter = require("events");
+import net = require("net");
+import http = require("http");
+import mailhog = require("..");
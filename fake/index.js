@@ -0,0 +1,645 @@
+/*
+ * In-memory MailHog compatible server for offline testing.
+ * https://github.com/blueimp/mailhog-node
+ *
+ * Copyright 2016, Sebastian Tschan
+ * https://blueimp.net
+ *
+ * Licensed under the MIT license:
+ * https://opensource.org/licenses/MIT
+ */
+
+'use strict'
+
+const crypto = require('crypto')
+const EventEmitter = require('events')
+const http = require('http')
+const net = require('net')
+const mailhog = require('..')
+
+/**
+ * @typedef {object} Path
+ * @property {Array<string>} Relays Relay hosts
+ * @property {string} Mailbox Local part of the address
+ * @property {string} Domain Domain part of the address
+ * @property {string} Params SMTP parameters
+ */
+
+/**
+ * @typedef {object} Content
+ * @property {object} Headers Encoded headers
+ * @property {string} Body Encoded body
+ * @property {number} Size Content size
+ * @property {MIME?} MIME MIME body, for multipart parts
+ */
+
+/**
+ * @typedef {object} MIME
+ * @property {Array<Content>} Parts MIME parts
+ */
+
+/**
+ * @typedef {object} Raw
+ * @property {string} From SMTP envelope sender
+ * @property {Array<string>} To SMTP envelope recipients
+ * @property {string} Data Raw mail data
+ * @property {string} Helo SMTP HELO/EHLO name
+ */
+
+/**
+ * @typedef {object} Message
+ * @property {string} ID Message ID
+ * @property {Path} From Parsed envelope sender
+ * @property {Array<Path>} To Parsed envelope recipients
+ * @property {Content} Content Mail content
+ * @property {string} Created ISO creation date
+ * @property {MIME?} MIME MIME body of multipart mail
+ * @property {Raw} Raw Raw mail data and envelope
+ */
+
+/**
+ * @typedef {object} ServerOptions
+ * @property {string} [host] Host to bind the servers to, default 127.0.0.1
+ * @property {number} [smtpPort=0] SMTP port, 0 for a random port
+ * @property {number} [apiPort=0] API port, 0 for a random port
+ * @property {string} [hostname] Hostname for message IDs, default mailhog.example
+ * @property {object} [outgoingSMTP] Outgoing SMTP servers, keyed by name
+ */
+
+/**
+ * @typedef {object} Envelope
+ * @property {string} from Envelope sender address
+ * @property {Array<string>} to Envelope recipient addresses
+ * @property {string} [helo=localhost] SMTP HELO/EHLO name
+ */
+
+/**
+ * Default Jim configuration, as used by MailHog.
+ */
+const JIM_DEFAULTS = {
+  DisconnectChance: 0.005,
+  AcceptChance: 0.99,
+  LinkSpeedAffect: 0.1,
+  LinkSpeedMin: 1024,
+  LinkSpeedMax: 10240,
+  RejectSenderChance: 0.05,
+  RejectRecipientChance: 0.05,
+  RejectAuthChance: 0.05
+}
+
+/**
+ * Parses the given mail data into a MailHog content object.
+ * Follows the MailHog implementation, which only splits on CRLF line breaks.
+ *
+ * @param {string} data Mail data
+ * @returns {Content} MailHog content object
+ */
+function parseContent(data) {
+  const index = data.indexOf('\r\n\r\n')
+  const headers = {}
+  if (index === -1) return { Headers: headers, Body: '', Size: 0, MIME: null }
+  let key = ''
+  for (const line of data.slice(0, index).split('\r\n')) {
+    if (key && /^[ \t]/.test(line)) {
+      // Append folded header lines to the previous header value:
+      const values = headers[key]
+      values[values.length - 1] += line
+    } else if (line.indexOf(': ') !== -1) {
+      key = line.slice(0, line.indexOf(': '))
+      headers[key] = (headers[key] || []).concat(line.slice(key.length + 2))
+    }
+  }
+  return {
+    Headers: headers,
+    Body: data.slice(index + 4),
+    Size: data.length,
+    MIME: null
+  }
+}
+
+/**
+ * Returns the multipart boundary of the given content, if any.
+ *
+ * @param {Content} content MailHog content object
+ * @returns {string?} Multipart boundary
+ */
+function getBoundary(content) {
+  const type = (content.Headers['Content-Type'] || [])[0] || ''
+  if (!/^multipart\//i.test(type)) return null
+  const match = /boundary="?([^";]+)"?/i.exec(type)
+  return match ? match[1] : null
+}
+
+/**
+ * Parses the multipart body of the given content into MIME parts.
+ *
+ * @param {Content} content MailHog content object
+ * @param {string} boundary Multipart boundary
+ * @returns {MIME} MIME body
+ */
+function parseMIME(content, boundary) {
+  const parts = []
+  for (const str of content.Body.split(`--${boundary}`)) {
+    // Trim leading and trailing CR and LF characters, like MailHog does:
+    const part = parseContent(str.replace(/^[\r\n]+|[\r\n]+$/g, ''))
+    if (!Object.keys(part.Headers).length) continue
+    const partBoundary = getBoundary(part)
+    if (partBoundary) part.MIME = parseMIME(part, partBoundary)
+    parts.push(part)
+  }
+  return { Parts: parts }
+}
+
+/**
+ * Parses the given address into a MailHog path object.
+ *
+ * @param {string} address Email address
+ * @returns {Path} MailHog path object
+ */
+function parsePath(address) {
+  const index = address.lastIndexOf('@')
+  return {
+    Relays: null,
+    Mailbox: index === -1 ? address : address.slice(0, index),
+    Domain: index === -1 ? '' : address.slice(index + 1),
+    Params: ''
+  }
+}
+
+/**
+ * Serializes the headers and body of the given message, like MailHog does for
+ * downloads and releases.
+ *
+ * @param {Message} message MailHog message object
+ * @returns {string} Mail data
+ */
+function serialize(message) {
+  let data = ''
+  for (const key of Object.keys(message.Content.Headers)) {
+    for (const value of message.Content.Headers[key]) {
+      data += `${key}: ${value}\r\n`
+    }
+  }
+  return `${data}\r\n${message.Content.Body}`
+}
+
+/**
+ * Maps the property names of the given release config to MailHog property
+ * names. Property names are matched case-insensitively, like MailHog does.
+ *
+ * @param {object} input Release or outgoing server config
+ * @returns {object} Release config with MailHog property names
+ */
+function toReleaseConfig(input) {
+  const keys = ['Name', 'Save', 'Email', 'Host', 'Port']
+    .concat(['Username', 'Password', 'Mechanism'])
+    .reduce((map, key) => Object.assign(map, { [key.toLowerCase()]: key }), {})
+  const config = {}
+  for (const key of Object.keys(input)) {
+    const name = keys[key.toLowerCase()]
+    if (name) config[name] = input[key]
+  }
+  return config
+}
+
+/**
+ * Parses the given release config JSON.
+ *
+ * @param {string} data Release config JSON
+ * @returns {object} Release config with MailHog property names
+ */
+function parseReleaseConfig(data) {
+  return toReleaseConfig(JSON.parse(data || '{}'))
+}
+
+/**
+ * Checks if the given message matches the given search query.
+ *
+ * @param {Message} message MailHog message object
+ * @param {string} kind Query kind, from|to|containing
+ * @param {string} query Lowercase search query
+ * @returns {boolean} Returns true if the message matches
+ */
+function matches(message, kind, query) {
+  const headers = message.Content.Headers
+  const contains = values =>
+    (values || []).some(value => value.toLowerCase().indexOf(query) !== -1)
+  const address = path => `${path.Mailbox}@${path.Domain}`
+  switch (kind) {
+    case 'from':
+      return contains([address(message.From)]) || contains(headers.From)
+    case 'to':
+      return contains(message.To.map(address)) || contains(headers.To)
+    default:
+      if (contains([message.Content.Body])) return true
+      return Object.keys(headers).some(key => contains(headers[key]))
+  }
+}
+
+/**
+ * In-memory MailHog compatible server.
+ * Receives mail via SMTP and provides the MailHog API routes used by the
+ * `mailhog()` client, with the same JSON representation of messages.
+ *
+ * Emits "message" events with each received MailHog message object.
+ */
+class FakeServer extends EventEmitter {
+  /**
+   * @param {ServerOptions} [options] Server options
+   */
+  constructor(options) {
+    super()
+    this.options = Object.assign(
+      {
+        host: '127.0.0.1',
+        smtpPort: 0,
+        apiPort: 0,
+        hostname: 'mailhog.example'
+      },
+      options
+    )
+    /** @type {Array<Message>} */
+    this.messages = []
+    this.outgoingSMTP = {}
+    const outgoingSMTP = Object.assign({}, this.options.outgoingSMTP)
+    for (const name of Object.keys(outgoingSMTP)) {
+      this.outgoingSMTP[name] = toReleaseConfig(outgoingSMTP[name])
+    }
+    this.jim = null
+    this.sockets = new Set()
+    this.smtpServer = net.createServer(socket => this.handleSMTP(socket))
+    this.apiServer = http.createServer((req, res) => this.handleAPI(req, res))
+    for (const server of [this.smtpServer, this.apiServer]) {
+      server.on('connection', socket => {
+        this.sockets.add(socket)
+        socket.on('close', () => this.sockets.delete(socket))
+      })
+    }
+    // Client to release messages via SMTP. The API port is not known before
+    // listening, but unused for SMTP:
+    this.client = mailhog(
+      Object.assign(this.clientOptions(), {
+        port: 8025,
+        agent: /** @type {false} */ (false)
+      })
+    )
+  }
+
+  /**
+   * Starts the SMTP and API servers.
+   *
+   * @returns {Promise<FakeServer>} Resolves with the listening server
+   */
+  listen() {
+    const listen = (server, port) =>
+      new Promise((resolve, reject) => {
+        server.once('error', reject)
+        server.listen(port, this.options.host, () => {
+          server.removeListener('error', reject)
+          resolve(server.address().port)
+        })
+      })
+    return listen(this.smtpServer, this.options.smtpPort)
+      .then(port => {
+        this.smtpPort = port
+        return listen(this.apiServer, this.options.apiPort)
+      })
+      .then(port => {
+        this.apiPort = port
+        return this
+      })
+  }
+
+  /**
+   * Returns the options to connect a `mailhog()` client to this server.
+   * All options are given explicitly to prevent fallbacks to the MAILHOG_*
+   * environment variables, the empty auth option disables authentication.
+   *
+   * @returns {{protocol: string, host: string, port: number, auth: string, basePath: string}}
+   *   Client options
+   */
+  clientOptions() {
+    return {
+      protocol: 'http:',
+      host: this.options.host,
+      port: this.apiPort,
+      auth: '',
+      basePath: '/api'
+    }
+  }
+
+  /**
+   * Stops the SMTP and API servers and closes all open connections, including
+   * keep-alive connections and event streams.
+   *
+   * @returns {Promise<void>} Resolves when both servers are closed
+   */
+  close() {
+    const close = server =>
+      new Promise(resolve => {
+        if (!server.listening) return resolve()
+        server.close(() => resolve())
+      })
+    const closed = Promise.all([close(this.smtpServer), close(this.apiServer)])
+    this.sockets.forEach(socket => socket.destroy())
+    return closed.then(() => undefined)
+  }
+
+  /**
+   * Stores the given mail data as message, like received via SMTP.
+   *
+   * @param {string|Buffer} data Mail data
+   * @param {Envelope} envelope SMTP envelope
+   * @returns {Message} MailHog message object
+   */
+  store(data, envelope) {
+    const id =
+      crypto
+        .randomBytes(32)
+        .toString('base64')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_') + `@${this.options.hostname}`
+    const raw = Buffer.isBuffer(data) ? data.toString() : data
+    const helo = envelope.helo || 'localhost'
+    const content = parseContent(raw)
+    // Set the headers MailHog sets on receipt, replacing any given Message-ID:
+    content.Headers['Message-ID'] = [id]
+    content.Headers.Received = [
+      `from ${helo} by ${this.options.hostname} (MailHog)\r\n` +
+        `          id ${id}; ${new Date().toUTCString()}`
+    ]
+    content.Headers['Return-Path'] = [`<${envelope.from}>`]
+    const boundary = getBoundary(content)
+    const message = {
+      ID: id,
+      From: parsePath(envelope.from),
+      To: envelope.to.map(parsePath),
+      Content: content,
+      Created: new Date().toISOString(),
+      MIME: boundary ? parseMIME(content, boundary) : null,
+      Raw: { From: envelope.from, To: envelope.to, Data: raw, Helo: helo }
+    }
+    this.messages.unshift(message)
+    this.emit('message', message)
+    return message
+  }
+
+  /**
+   * Deletes all stored messages.
+   */
+  clear() {
+    this.messages = []
+  }
+
+  /**
+   * Handles a SMTP client connection.
+   *
+   * @param {net.Socket} socket SMTP client socket
+   */
+  handleSMTP(socket) {
+    const hostname = this.options.hostname
+    let buffer = ''
+    let data = null
+    let envelope = { from: '', to: [], helo: '' }
+    const reply = str => socket.write(`${str}\r\n`)
+    const onLine = line => {
+      if (data) {
+        if (line !== '.') {
+          // Remove dot-stuffing:
+          data.push(line[0] === '.' ? line.slice(1) : line)
+          return
+        }
+        // Decode the data as UTF-8, as MailHog does for its JSON output, and
+        // strip the line break before the terminating dot, like MailHog does:
+        const raw = Buffer.from(data.join('\r\n'), 'latin1')
+        const message = this.store(raw, envelope)
+        data = null
+        envelope = { from: '', to: [], helo: envelope.helo }
+        reply(`250 Ok: queued as ${message.ID}`)
+        return
+      }
+      const command = line.slice(0, 4).toUpperCase()
+      const arg = line.slice(5).trim()
+      const address = () => (/<([^>]*)>/.exec(arg) || ['', arg])[1]
+      switch (command) {
+        case 'HELO':
+          envelope.helo = arg
+          return reply(`250 Hello ${arg}`)
+        case 'EHLO':
+          envelope.helo = arg
+          reply(`250-Hello ${arg}`)
+          reply('250-PIPELINING')
+          return reply('250 AUTH EXTERNAL CRAM-MD5 LOGIN PLAIN')
+        case 'AUTH':
+          return reply('235 Authentication successful')
+        case 'MAIL':
+          envelope.from = address()
+          return reply(`250 Sender ${envelope.from} ok`)
+        case 'RCPT':
+          if (envelope.to.length >= 100) {
+            return reply('552 Too many recipients')
+          }
+          envelope.to.push(address())
+          return reply(`250 Recipient ${address()} ok`)
+        case 'DATA':
+          if (!envelope.to.length) return reply('503 Bad sequence of commands')
+          data = []
+          return reply('354 End data with <CR><LF>.<CR><LF>')
+        case 'RSET':
+          envelope = { from: '', to: [], helo: envelope.helo }
+          return reply('250 Ok')
+        case 'NOOP':
+          return reply('250 Ok')
+        case 'QUIT':
+          reply('221 Bye')
+          return socket.end()
+        default:
+          return reply('500 Unrecognised command')
+      }
+    }
+    socket.setEncoding('latin1')
+    socket.on('data', chunk => {
+      const lines = (buffer + chunk).split('\r\n')
+      buffer = lines.pop()
+      lines.forEach(onLine)
+    })
+    socket.on('error', () => socket.destroy())
+    reply(`220 ${hostname} ESMTP MailHog`)
+  }
+
+  /**
+   * Handles a MailHog API request.
+   *
+   * @param {http.IncomingMessage} req HTTP request
+   * @param {http.ServerResponse} res HTTP response
+   */
+  handleAPI(req, res) {
+    const body = []
+    req.on('data', chunk => body.push(chunk))
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost')
+      const route = `${req.method} ${url.pathname}`
+      const data = Buffer.concat(body).toString()
+      Promise.resolve()
+        .then(() => this.route(route, url.searchParams, data, res))
+        .catch(error => {
+          res.writeHead(500, { 'Content-Type': 'text/plain' })
+          res.end(error.message)
+        })
+    })
+  }
+
+  /**
+   * Responds to the given API route.
+   *
+   * @param {string} route HTTP method and URL path, e.g. "GET /api/v2/jim"
+   * @param {URLSearchParams} params URL query parameters
+   * @param {string} data Request body
+   * @param {http.ServerResponse} res HTTP response
+   * @returns {Promise<void>|void} Resolves when the response is sent
+   */
+  route(route, params, data, res) {
+    const json = (statusCode, value) => {
+      res.writeHead(statusCode, { 'Content-Type': 'application/json' })
+      res.end(value === undefined ? '' : JSON.stringify(value))
+    }
+    const text = (statusCode, value) => {
+      res.writeHead(statusCode, { 'Content-Type': 'text/plain' })
+      res.end(value)
+    }
+    const page = items => {
+      const start = Number(params.get('start')) || 0
+      const limit = Number(params.get('limit')) || 50
+      const list = items.slice(start, start + limit)
+      json(200, { total: items.length, count: list.length, start, items: list })
+    }
+    const match = /^(\w+) \/api\/v1\/messages\/([^/]+)(\/\w+)?$/.exec(route)
+    const id = match && decodeURIComponent(match[2])
+    const message = id && this.messages.find(item => item.ID === id)
+    switch (match ? `${match[1]} ${match[3] || ''}` : route) {
+      case 'GET /api/v1/messages':
+        return json(200, this.messages)
+      case 'DELETE /api/v1/messages':
+        this.clear()
+        return json(200)
+      case 'GET /api/v2/messages':
+        return page(this.messages)
+      case 'GET /api/v2/search': {
+        const kind = params.get('kind')
+        if (['from', 'to', 'containing'].indexOf(kind) === -1) {
+          return text(400, 'Invalid search kind')
+        }
+        const query = (params.get('query') || '').toLowerCase()
+        return page(this.messages.filter(item => matches(item, kind, query)))
+      }
+      case 'GET /api/v1/events':
+        return this.streamEvents(res)
+      case 'GET /api/v2/outgoing-smtp':
+        return json(200, this.outgoingSMTP)
+      case 'GET /api/v2/jim':
+        return this.jim ? json(200, this.jim) : text(404, '')
+      case 'POST /api/v2/jim':
+        this.jim = Object.assign({}, JIM_DEFAULTS, data && JSON.parse(data))
+        return json(201)
+      case 'PUT /api/v2/jim':
+        if (!this.jim) return text(404, '')
+        Object.assign(this.jim, JSON.parse(data))
+        return json(200)
+      case 'DELETE /api/v2/jim':
+        this.jim = null
+        return json(200)
+      case 'GET ':
+        // MailHog responds with a null message body for unknown IDs:
+        return json(200, message || null)
+      case 'DELETE ':
+        this.messages = this.messages.filter(item => item !== message)
+        return json(200)
+      case 'GET /download':
+        // MailHog resets the connection for unknown IDs:
+        if (!message) {
+          res.socket.destroy()
+          return
+        }
+        res.writeHead(200, {
+          'Content-Type': 'message/rfc822',
+          'Content-Disposition': `attachment; filename="${id}.eml"`
+        })
+        return res.end(serialize(message))
+      case 'POST /release':
+        if (!message) return text(404, 'Message not found')
+        return this.release(message, parseReleaseConfig(data)).then(
+          () => json(200),
+          error => text(error.statusCode || 500, error.message)
+        )
+      default:
+        return text(404, '404 page not found')
+    }
+  }
+
+  /**
+   * Releases the given message to the given outgoing SMTP server.
+   *
+   * @param {Message} message MailHog message object
+   * @param {object} config MailHog release config
+   * @returns {Promise<void>} Resolves when the message has been sent
+   */
+  release(message, config) {
+    let server = config
+    if (config.Name && !config.Host) {
+      server = this.outgoingSMTP[config.Name]
+      if (!server) {
+        const error = new Error('Outgoing server not found')
+        return Promise.reject(Object.assign(error, { statusCode: 400 }))
+      }
+    } else if (config.Save) {
+      if (this.outgoingSMTP[config.Name]) {
+        const error = new Error(`Server already exists named ${config.Name}`)
+        return Promise.reject(Object.assign(error, { statusCode: 400 }))
+      }
+      this.outgoingSMTP[config.Name] = Object.assign({}, config, {
+        Save: undefined
+      })
+    }
+    return this.client
+      .send(serialize(message), {
+        smtpHost: server.Host,
+        smtpPort: Number(server.Port),
+        from: `nobody@${this.options.hostname}`,
+        to: config.Email || server.Email
+      })
+      .then(() => undefined)
+  }
+
+  /**
+   * Streams new messages as server-sent events.
+   *
+   * @param {http.ServerResponse} res HTTP response
+   */
+  streamEvents(res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    })
+    res.write(':\n\n')
+    const listener = message => {
+      res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`)
+    }
+    this.on('message', listener)
+    res.on('close', () => this.removeListener('message', listener))
+  }
+}
+
+/**
+ * Creates an in-memory MailHog compatible server.
+ * Call `listen()` to start the SMTP and API servers.
+ *
+ * @param {ServerOptions} [options] Server options
+ * @returns {FakeServer} Fake MailHog server
+ */
+function createServer(options) {
+  return new FakeServer(options)
+}
+
+exports.createServer = createServer
+exports.FakeServer = FakeServer